@@ -0,0 +1,266 @@
+(ns sente-lite.channel-history-disk
+  "Disk-backed channel history (see sente-lite.channel-history), so message
+   ids, retained messages and :since replays survive restarts.
+
+   Each channel has a directory under :dir holding an append-only log split
+   into segments, one entry per line (EDN or JSON lines), each file named
+   after the first message id in it:
+
+     channel-history/room/00000000000000000001.edn
+                          00000000000000001043.edn
+                          meta.edn                  ; {:retention n}
+
+   Messages that are not retained are logged as {:message-id n} only, so
+   the ids carry on after a restart. A segment is closed once it reaches
+   :segment-bytes. Closed segments are deleted (compaction) when every
+   message in them is beyond the channel's retention or older than
+   :max-age-ms, or, oldest first, while the channel's segments take more
+   than :max-channel-bytes. The open segment is never deleted.
+
+   A channel's log is read on first use and then served from memory;
+   appends are written through."
+  (:require [cheshire.core :as json]
+            [clojure.edn :as edn]
+            [clojure.java.io :as io]
+            [clojure.string :as str]
+            [sente-lite.channel-history :as history]
+            [taoensso.trove :as trove])
+  (:import [java.io File]
+           [java.net URLEncoder]))
+
+(def default-config
+  {:dir "channel-history"
+   :format :edn                        ; or :json (map keys come back as keywords)
+   :segment-bytes (* 1024 1024)
+   :max-channel-bytes (* 64 1024 1024)
+   :max-age-ms nil})                   ; nil = no age limit
+
+;; ============================================================================
+;; Files
+;; ============================================================================
+
+(defn- extension [config]
+  (if (= :json (:format config)) "jsonl" "edn"))
+
+(defn- encode-line [config entry]
+  (if (= :json (:format config))
+    (json/generate-string entry)
+    (binding [*print-length* nil *print-level* nil]
+      (pr-str entry))))
+
+(defn- decode-line [config line]
+  (if (= :json (:format config))
+    (json/parse-string line true)
+    (edn/read-string line)))
+
+(defn- channel-dir ^File [config channel-id]
+  (io/file (:dir config) (URLEncoder/encode (str channel-id) "UTF-8")))
+
+(defn- segment-file ^File [config channel-id first-id]
+  (io/file (channel-dir config channel-id)
+           (format "%020d.%s" first-id (extension config))))
+
+(defn- meta-file ^File [config channel-id]
+  (io/file (channel-dir config channel-id) "meta.edn"))
+
+(defn- line-bytes [^String line]
+  (inc (alength (.getBytes line "UTF-8"))))
+
+(defn- read-segment
+  "Entries of a segment file. A line that doesn't parse (say, one cut off
+   by a crash mid-write) is skipped."
+  [config ^File file]
+  (with-open [rdr (io/reader file)]
+    (into []
+          (keep (fn [line]
+                  (when-not (str/blank? line)
+                    (try
+                      (decode-line config line)
+                      (catch Exception e
+                        (trove/log! {:level :warn :id :sente-lite.channel-history/bad-line
+                                     :error e
+                                     :data {:file (str file)}})
+                        nil)))))
+          (line-seq rdr))))
+
+;; ============================================================================
+;; Channel state
+;; ============================================================================
+;;
+;; Per channel, in memory:
+;;   {:last-id n :retention n :messages [entry ..]
+;;    :segments [{:file :first-id :last-id :bytes :last-at} ..]}
+
+(defn- trim
+  "Drop retained messages that are gone from disk or past :max-age-ms."
+  [config {:keys [segments] :as state}]
+  (let [first-id (:first-id (first segments) 0)
+        oldest (when-let [max-age (:max-age-ms config)]
+                 (- (history/now-ms) max-age))]
+    (update state :messages
+            (fn [messages]
+              (filterv #(and (>= (:message-id %) first-id)
+                             (or (nil? oldest) (>= (:published-at %) oldest)))
+                       messages)))))
+
+(defn- compact
+  "Delete the closed segments that no longer hold anything worth keeping."
+  [config channel-id {:keys [segments last-id retention] :as state}]
+  (let [keep-from (if retention (- last-id retention) 0)
+        oldest (when-let [max-age (:max-age-ms config)]
+                 (- (history/now-ms) max-age))
+        closed (butlast segments)
+        expired (fn [segment]
+                  (or (<= (:last-id segment) keep-from)
+                      (and oldest (< (:last-at segment) oldest))))
+        kept (loop [closed (vec (drop-while expired closed))]
+               (if (and (seq closed)
+                        (:max-channel-bytes config)
+                        (> (reduce + (map :bytes (conj closed (last segments))))
+                           (:max-channel-bytes config)))
+                 (recur (subvec closed 1))
+                 closed))
+        dropped (take (- (count closed) (count kept)) segments)]
+    (if (seq dropped)
+      (do
+        (doseq [segment dropped]
+          (io/delete-file (:file segment) true))
+        (trove/log! {:level :debug :id :sente-lite.channel-history/compacted
+                     :data {:channel-id channel-id
+                            :deleted-segments (count dropped)
+                            :first-id (:first-id (first (conj kept (last segments))))}})
+        (trim config (assoc state :segments (conj kept (last segments)))))
+      state)))
+
+(defn- load-channel
+  [config channel-id]
+  (let [dir (channel-dir config channel-id)
+        segment-name (re-pattern (str "\\d{20}\\." (extension config)))
+        files (->> (.listFiles dir)
+                   (filter #(re-matches segment-name (.getName ^File %)))
+                   (sort-by #(.getName ^File %)))
+        loaded (mapv (fn [^File file]
+                       (let [entries (read-segment config file)]
+                         {:entries entries
+                          :segment {:file file
+                                    :first-id (parse-long (subs (.getName file) 0 20))
+                                    :last-id (reduce max 0 (map :message-id entries))
+                                    :bytes (.length file)
+                                    :last-at (.lastModified file)}}))
+                     files)
+        meta-file (meta-file config channel-id)
+        retention (when (.exists meta-file)
+                    (:retention (edn/read-string (slurp meta-file))))
+        messages (into [] (comp (mapcat :entries) (filter #(contains? % :data))) loaded)
+        state {:last-id (reduce max 0 (map (comp :last-id :segment) loaded))
+               :retention retention
+               :messages (if retention
+                           (vec (take-last retention messages))
+                           messages)
+               :segments (mapv :segment loaded)}]
+    (when (seq files)
+      (trove/log! {:level :debug :id :sente-lite.channel-history/loaded
+                   :data {:channel-id channel-id
+                          :segments (count files)
+                          :last-id (:last-id state)
+                          :retained (count (:messages state))}}))
+    (trim config (compact config channel-id state))))
+
+(defn- write-entry
+  "Append entry to the open segment (a new one when the last is full).
+   Returns the updated state."
+  [config channel-id {:keys [segments] :as state} entry retained?]
+  (let [line (encode-line config (if retained?
+                                   entry
+                                   (select-keys entry [:message-id])))
+        open (last segments)
+        roll? (or (nil? open) (>= (:bytes open) (:segment-bytes config)))
+        segment (if roll?
+                  {:file (segment-file config channel-id (:message-id entry))
+                   :first-id (:message-id entry)
+                   :bytes 0}
+                  open)
+        _ (io/make-parents (:file segment))
+        _ (spit (:file segment) (str line "\n") :append true)
+        segment (assoc segment
+                       :last-id (:message-id entry)
+                       :bytes (+ (:bytes segment) (line-bytes line))
+                       :last-at (:published-at entry))
+        state (assoc state :segments (if roll?
+                                       (conj segments segment)
+                                       (conj (pop segments) segment)))]
+    (if roll?
+      (compact config channel-id state)
+      state)))
+
+(defn- write-retention
+  [config channel-id retention]
+  (let [file (meta-file config channel-id)]
+    (io/make-parents file)
+    (spit file (pr-str {:retention retention}))))
+
+;; ============================================================================
+;; Store
+;; ============================================================================
+
+(defn- channel-state
+  [{:keys [config channels lock]} channel-id]
+  (or (get @channels channel-id)
+      (locking lock
+        (or (get @channels channel-id)
+            (get (swap! channels assoc channel-id (load-channel config channel-id))
+                 channel-id)))))
+
+(defrecord DiskHistory [config channels lock]
+  history/IHistoryStore
+
+  (append! [_ channel-id retention data from]
+    (locking lock
+      (let [state (or (get @channels channel-id) (load-channel config channel-id))
+            retention (or retention 0)
+            entry (history/make-entry (inc (:last-id state)) channel-id data from
+                                      (history/now-ms))]
+        (when (not= retention (:retention state))
+          (write-retention config channel-id retention))
+        (swap! channels assoc channel-id
+               (-> state
+                   (assoc :last-id (:message-id entry) :retention retention)
+                   (update :messages history/retain retention entry)
+                   (as-> s (write-entry config channel-id s entry (pos? retention)))))
+        entry)))
+
+  (last-id [this channel-id]
+    (:last-id (channel-state this channel-id)))
+
+  (since [this channel-id since-id]
+    (history/after (:messages (trim config (channel-state this channel-id))) since-id))
+
+  (retained-count [this channel-id]
+    (count (:messages (channel-state this channel-id))))
+
+  (forget! [_ channel-id]
+    (locking lock
+      (let [dir (channel-dir config channel-id)]
+        (doseq [^File file (.listFiles dir)]
+          (io/delete-file file true))
+        (io/delete-file dir true))
+      (swap! channels dissoc channel-id)
+      nil)))
+
+(defn make-store
+  "A disk-backed IHistoryStore. config (see default-config):
+   - :dir               - directory holding one sub-directory per channel
+   - :format            - :edn or :json lines
+   - :segment-bytes     - size at which a segment is closed
+   - :max-channel-bytes - closed segments are deleted, oldest first, while
+                          a channel takes more (nil = no limit)
+   - :max-age-ms        - closed segments and retained messages older than
+                          this are dropped (nil = no limit)
+
+   Use it as the :history-store in the server's :channels config."
+  ([] (make-store {}))
+  ([config]
+   (let [config (merge default-config config)]
+     (trove/log! {:level :info :id :sente-lite.channel-history/disk-store
+                  :data (select-keys config [:dir :format])})
+     (->DiskHistory config (atom {}) (Object.)))))
@@ -20,18 +20,33 @@
     (sente/subscribe! client \"my-channel\")
     (sente/close! client)"
   (:require [babashka.http-client.websocket :as ws]
+            [sente-lite.chunking :as chunking]
+            [sente-lite.delivery :as delivery]
+            [sente-lite.msgpack :as msgpack]
+            [sente-lite.outbox-bb :as outbox]
             [sente-lite.packer :as packer]
             [sente-lite.queue :as q]
             [sente-lite.queue-bb :as qbb]
-            [taoensso.trove :as trove]))
+            [sente-lite.reconnect :as reconnect]
+            [sente-lite.rpc :as rpc]
+            [sente-lite.schema :as schema]
+            [sente-lite.session :as session]
+            [taoensso.trove :as trove])
+  (:import [java.io ByteArrayOutputStream]
+           [java.nio ByteBuffer]))
 
 ;; Event IDs (Sente-compatible)
 (def ^:const event-handshake :chsk/handshake)
 (def ^:const event-ws-ping :chsk/ws-ping)
 (def ^:const event-ws-pong :chsk/ws-pong)
+(def ^:const event-server-shutdown :chsk/server-shutdown)
+(def ^:const event-state :chsk/state)
 (def ^:const event-subscribe :sente-lite/subscribe)
+(def ^:const event-subscribed :sente-lite/subscribed)
+(def ^:const event-channel-msg :sente-lite/channel-msg)
 (def ^:const event-unsubscribe :sente-lite/unsubscribe)
 (def ^:const event-publish :sente-lite/publish)
+(def ^:const event-presence-list :sente-lite/presence-list)
 
 (defn- maybe-unwrap-recv
   [event-id data config]
@@ -69,31 +84,54 @@
    :ws nil
    :status :disconnected
    :uid nil                    ; Server-assigned user ID from handshake
+   :session-token nil          ; resumable session from handshake, see sente-lite.session
    :reconnect-count 0
    :reconnect-enabled? (get config :auto-reconnect? true)  ; default true
-   :reconnect-delay (get config :reconnect-delay 1000)     ; default 1s
-   :max-reconnect-delay (get config :max-reconnect-delay 30000)  ; default 30s
+   :reconnect-policy (reconnect/policy config)  ; delays between attempts, see sente-lite.reconnect
+   :reconnect-attempt 0        ; failed attempts since the last connection
+   :last-reconnect-delay nil   ; delay before the last attempt
+   :gave-up? false             ; the policy gave up; set-reconnect! starts over
+   :shutdown-hint nil          ; {:reconnect-after-ms :url ..} from :chsk/server-shutdown
    :last-connect-attempt nil
    :message-count-sent 0
    :message-count-received 0
+   :message-count-invalid 0    ; inbound events failing their schema (dropped)
+   :send-count-invalid 0       ; outbound events failing their schema (not sent)
    :send-queue nil
-   :handlers (atom {})})       ; Unified handler registry for on!/off!/take!
+   :binary-parts nil           ; parts of a binary frame still arriving
+   :outbox (some-> (:outbox config) outbox/make-outbox)  ; sends kept while disconnected
+   :assembler (chunking/make-assembler (:large-messages config))  ; incoming chunked transfers
+   :outgoing (chunking/make-outgoing)  ; send-large! transfers
+   :handlers (atom {})         ; Unified handler registry for on!/off!/take!
+   :rpc-handlers (atom {})     ; method -> (fn [params ctx]) offered with provide!
+   :subscriptions (atom {})    ; channel-id -> {:opts :status :error :last-message-id}
+   :unacked (atom {})          ; delivery-id -> reliable send! awaiting its ack
+   :delivered-ids (atom delivery/empty-window)  ; reliable deliveries already handled
+   :redelivery? (atom false)   ; redelivery loop started
+   :callbacks (atom {})        ; cb-uuid -> {:callback :timeout-future} for send! replies
+   :chsk-state (atom {:open? false :ever-opened? false :first-open? false
+                      :uid nil :csrf-token nil :last-close nil
+                      :reconnect-count 0 :next-retry-at nil :transport :ws})})
 
 ;;; Message Parsing
 ;; IMPORTANT: Babashka's babashka.http-client.websocket passes a java.nio.HeapCharBuffer
 ;; to on-message, NOT a String like JVM's org.java-websocket/Java-WebSocket does.
 ;; Must convert with (str raw-data) before parsing.
+;; Binary frames (:wire-format :msgpack) arrive as ByteBuffers, possibly in
+;; parts - see complete-frame.
 
 (defn- parse-message
-  "Parse message - expects EDN event vector format [event-id data]"
+  "Parse message - expects an event vector [event-id data], as EDN text or
+   a MessagePack byte[]"
   [raw-data]
   (try
-    (let [data-str (str raw-data)  ; CharBuffer → String (required for BB websocket)
-          parsed (packer/unpack data-str)]
+    (let [parsed (if (bytes? raw-data)
+                   (msgpack/unpack raw-data)
+                   (packer/unpack (str raw-data)))]  ; CharBuffer → String (required for BB websocket)
       (if (vector? parsed)
         {:event-id (first parsed)
          :data (second parsed)}
-        {:error :invalid-format :raw data-str}))
+        {:error :invalid-format :raw (str raw-data)}))
     (catch Exception e
       (trove/log! {:level :warn
                    :id :sente-lite.client/parse-failed
@@ -101,9 +139,22 @@
                           :error (.getMessage e)}})
       {:error :parse-failed :raw (str raw-data)})))
 
+(defn- pack-frame
+  "Serialize a wire message in the client's :wire-format: EDN text, or a
+   MessagePack byte[] for :msgpack."
+  [config message]
+  (if (= :msgpack (:wire-format config))
+    (msgpack/pack message)
+    (packer/pack message)))
+
+(defn- send-frame!
+  "Send a packed message as a text or binary frame."
+  [ws frame]
+  (ws/send! ws (if (bytes? frame) (ByteBuffer/wrap frame) frame)))
+
 ;;; Forward declarations
-(declare attempt-reconnect!)
-(declare on!)
+(declare attempt-reconnect! schedule-reconnect! send-now!)
+(declare on! send! advertise-rpc!)
 
 ;;; Handler Registry Dispatch
 
@@ -115,7 +166,8 @@
         msg-event-id (:event-id msg)]
     (cond
       pred (pred msg)
-      (= event-id :*) true
+      ;; Catch-alls (and :on-message) get events, not connection state
+      (= event-id :*) (not= msg-event-id event-state)
       event-id (= event-id msg-event-id)
       :else false)))
 
@@ -142,20 +194,104 @@
                                   :event-id (:event-id msg)
                                   :error (.getMessage e)}}))))))))
 
+(defn- swap-chsk-state!
+  "Apply f to the client's connection state; a change is dispatched to
+   handlers as [:chsk/state [old new]]."
+  [client-id f & args]
+  (when-let [state-atom (get-in @clients [client-id :chsk-state])]
+    (let [[old new] (apply swap-vals! state-atom f args)]
+      (when (not= old new)
+        (dispatch-to-handlers! client-id {:event-id event-state :data [old new]})))))
+
+;;; Reply Callbacks (send! with timeout + callback)
+
+(defn- pull-reply-callback!
+  "Atomically remove and return the pending reply callback entry for cb-uuid."
+  [callbacks-atom cb-uuid]
+  (get (first (swap-vals! callbacks-atom dissoc cb-uuid)) cb-uuid))
+
+(defn- invoke-reply-callback!
+  "Cancel the entry's timeout and call its callback with reply (or a
+   :chsk/timeout / :chsk/closed / :chsk/error keyword)."
+  [client-id entry reply]
+  (when-let [timeout-future (:timeout-future entry)]
+    (future-cancel timeout-future))
+  (try
+    ((:callback entry) reply)
+    (catch Exception e
+      (trove/log! {:level :error
+                   :id :sente-lite.client/reply-callback-error
+                   :data {:client-id client-id
+                          :error (.getMessage e)}}))))
+
+(defn- register-reply-callback!
+  "Register callback for cb-uuid. If timeout-ms is given, the callback receives
+   :chsk/timeout when no reply arrives in time."
+  [client-id callbacks-atom cb-uuid timeout-ms callback]
+  (swap! callbacks-atom assoc cb-uuid {:callback callback})
+  (when timeout-ms
+    (let [timeout-future (future
+                           (Thread/sleep (long timeout-ms))
+                           (when-let [entry (pull-reply-callback! callbacks-atom cb-uuid)]
+                             (trove/log! {:level :debug
+                                          :id :sente-lite.client/reply-timeout
+                                          :data {:client-id client-id
+                                                 :cb-uuid cb-uuid
+                                                 :timeout-ms timeout-ms}})
+                             (invoke-reply-callback! client-id (dissoc entry :timeout-future)
+                                                     :chsk/timeout)))]
+      (swap! callbacks-atom (fn [cbs]
+                              (if (contains? cbs cb-uuid)
+                                (assoc-in cbs [cb-uuid :timeout-future] timeout-future)
+                                cbs)))))
+  cb-uuid)
+
+(defn- handle-reply!
+  "If parsed is a Sente wire reply [data cb-uuid] for a pending callback,
+   invoke the callback with data. Returns true when the message was a reply.
+   parse-message reads a reply as {:event-id data :data cb-uuid}."
+  [client-id parsed]
+  (let [cb-uuid (:data parsed)
+        callbacks-atom (get-in @clients [client-id :callbacks])]
+    (when (and (string? cb-uuid) callbacks-atom)
+      (when-let [entry (pull-reply-callback! callbacks-atom cb-uuid)]
+        (trove/log! {:level :trace
+                     :id :sente-lite.client/reply-recv
+                     :data {:client-id client-id
+                            :cb-uuid cb-uuid}})
+        (invoke-reply-callback! client-id entry (:event-id parsed))
+        true))))
+
+(defn- notify-reply-callbacks-closed!
+  "Call every pending reply callback with :chsk/closed and clear them."
+  [client-id callbacks-atom]
+  (let [pending (first (reset-vals! callbacks-atom {}))]
+    (doseq [[_cb-uuid entry] pending]
+      (invoke-reply-callback! client-id entry :chsk/closed))
+    (when (seq pending)
+      (trove/log! {:level :debug
+                   :id :sente-lite.client/reply-callbacks-closed
+                   :data {:client-id client-id
+                          :count (count pending)}}))))
+
 ;;; WebSocket Lifecycle Handlers
 
 (defn- handle-handshake
-  "Handle :chsk/handshake event - extract uid and csrf-token, store both"
+  "Handle :chsk/handshake event - extract uid, csrf-token and session token,
+   store them"
   [client-id data]
   (let [uid (first data)
-        csrf-token (second data)]
+        csrf-token (second data)
+        handshake-data (nth data 2 nil)]
     (swap! clients assoc-in [client-id :uid] uid)
     (swap! clients assoc-in [client-id :csrf-token] csrf-token)
+    (swap! clients assoc-in [client-id :session-token] (:session-token handshake-data))
     (trove/log! {:level :info
                  :id :sente-lite.client/handshake-received
                  :data {:client-id client-id
                         :uid uid
-                        :has-csrf (some? csrf-token)}})
+                        :has-csrf (some? csrf-token)
+                        :resumed? (boolean (:resumed? handshake-data))}})
     uid))
 
 (defn- make-on-open [client-id]
@@ -166,69 +302,340 @@
                    :id :sente-lite.client/ws-connected
                    :data {:client-id client-id
                           :url (:url config)}})
-      (swap! clients assoc-in [client-id :status] :connected)
-      (swap! clients assoc-in [client-id :ws] ws)
+      (swap! clients update client-id assoc
+             :status :connected
+             :ws ws
+             :reconnect-attempt 0
+             :last-reconnect-delay nil)
       ;; Note: on-open callback is called after handshake in make-on-message,
       ;; not here, so the user gets the uid from the server.
       )))
 
-(defn- make-on-message [client-id]
-  (fn [ws raw-data _last?]
-    (let [client-state (get @clients client-id)
-          config (:config client-state)
-          parsed (parse-message raw-data)]
+(defn- receive-chunk!
+  "Add a chunk to its transfer. Returns the reassembled wire text after the
+   last chunk; a failed transfer is answered with [:sente-lite/chunk-error ..]."
+  [client-id chunk]
+  (when-let [client-state (get @clients client-id)]
+    (let [result (chunking/accept-chunk! (:assembler client-state) (:id chunk) chunk
+                                         {:client-id client-id})]
+      (case (:status result)
+        :complete (:text result)
+        :failed (do
+                  (send-now! client-id client-state
+                             (chunking/chunk-error-event (:transfer-id result) (:reason result))
+                             chunking/event-chunk-error)
+                  nil)
+        nil))))
 
-      (swap! clients update-in [client-id :message-count-received] inc)
+(defn- serve-rpc-request!
+  "Answer a call the server routed to us with the provide!d handler."
+  [client-id {:keys [call-id method params from-uid]}]
+  (let [method (rpc/method-key method)
+        handler (some-> (get-in @clients [client-id :rpc-handlers]) deref (get method))
+        respond! (fn [reply]
+                   (send! client-id [rpc/event-rpc-response (assoc reply :call-id call-id)]))]
+    (if handler
+      (future
+        (respond! (try
+                    (rpc/result (handler params {:method method :from-uid from-uid}))
+                    (catch Exception e
+                      (trove/log! {:level :warn
+                                   :id :sente-lite.client/rpc-handler-error
+                                   :error e
+                                   :data {:client-id client-id :method method}})
+                      (rpc/exception->error e)))))
+      (respond! (rpc/error :method-not-found (str "No handler for " method))))))
+
+(defn- reliable-config [client-id]
+  (delivery/merge-config (get-in @clients [client-id :config :reliable])))
+
+(defn- resend-unacked!
+  "Send unacked deliveries again: the due ones, or all of them (after a
+   reconnect). Gives up on those out of attempts."
+  [client-id all?]
+  (when-let [client-state (get @clients client-id)]
+    (let [config (reliable-config client-id)
+          unacked (:unacked client-state)
+          now (delivery/now-ms)]
+      (doseq [entry (sort-by :sent-at (if all? (vals @unacked) (delivery/due @unacked now)))]
+        (if (delivery/exhausted? config entry)
+          (do
+            (swap! unacked dissoc (:id entry))
+            (trove/log! {:level :warn
+                         :id :sente-lite.client/delivery-given-up
+                         :data {:client-id client-id
+                                :delivery-id (:id entry)
+                                :attempts (:attempts entry)}}))
+          (do
+            (swap! unacked #(if (contains? % (:id entry))
+                              (assoc % (:id entry) (delivery/retried entry now config))
+                              %))
+            (send-now! client-id client-state (:event entry) delivery/event-deliver)))))))
+
+(defn- flush-outbox!
+  "Send what the outbox holds, oldest first, for as long as the client
+   stays connected."
+  [client-id]
+  (when-let [box (get-in @clients [client-id :outbox])]
+    (outbox/flush! box (fn [message]
+                         (let [client-state (get @clients client-id)]
+                           (and (= :connected (:status client-state))
+                                (contains? #{true :ok}
+                                           (send-now! client-id client-state message (first message)))))))))
+
+(defn- handle-ack!
+  [client-id {:keys [delivery-id]}]
+  (when-let [unacked (get-in @clients [client-id :unacked])]
+    (when-let [entry (get (first (swap-vals! unacked dissoc delivery-id)) delivery-id)]
+      (when-let [on-ack (:on-ack entry)]
+        (on-ack delivery-id)))))
+
+(defn- accept-delivery!
+  "Ack an inbound reliable delivery. Returns false for one already handled;
+   true for it otherwise, and for events that aren't reliable deliveries."
+  [client-id event-id data]
+  (if-let [id (delivery/delivery-id event-id data)]
+    (let [client-state (get @clients client-id)
+          [old _] (swap-vals! (:delivered-ids client-state) delivery/remember id
+                              (delivery/now-ms) (reliable-config client-id))]
+      (send-now! client-id client-state (delivery/ack-event id) delivery/event-ack)
+      (if (delivery/seen? old id)
+        (do
+          (trove/log! {:level :debug
+                       :id :sente-lite.client/duplicate-delivery
+                       :data {:client-id client-id :delivery-id id}})
+          false)
+        true))
+    true))
+
+;;; Subscriptions
+;; Channels subscribe! was called for, made again after every handshake.
+;; :status is :offline (not on the current connection), :pending (sent),
+;; :confirmed or :failed (with :error), per the :sente-lite/subscribed answers.
+
+(defn- subscribe-event
+  [channel-id {:keys [since presence]}]
+  [event-subscribe (cond-> {:channel-id channel-id}
+                     since (assoc :since since)
+                     presence (assoc :presence presence))])
+
+(defn- restore-subscriptions!
+  "Subscribe the new connection to the client's channels not subscribed on
+   it yet, from the last message id seen on each so only missed retained
+   messages are replayed."
+  [client-id]
+  (when-let [subs (get-in @clients [client-id :subscriptions])]
+    (doseq [[channel-id sub] @subs
+            :when (#{:offline :failed} (:status sub))]
+      (swap! subs #(if (contains? % channel-id) (assoc-in % [channel-id :status] :pending) %))
+      (send-now! client-id (get @clients client-id)
+                 (subscribe-event channel-id
+                                  (cond-> (:opts sub)
+                                    (:last-message-id sub) (assoc :since (:last-message-id sub))))
+                 event-subscribe))
+    (when (seq @subs)
+      (trove/log! {:level :debug
+                   :id :sente-lite.client/subscriptions-restored
+                   :data {:client-id client-id
+                          :channels (vec (keys @subs))}}))))
+
+(defn- reconcile-subscriptions!
+  "After a resumed session's handshake: the channels the server kept
+   (server-channels) are subscribed already; ones unsubscribe!d while
+   disconnected are unsubscribed now."
+  [client-id server-channels]
+  (when-let [subs (get-in @clients [client-id :subscriptions])]
+    (let [server-channels (set server-channels)]
+      (swap! subs #(into {} (map (fn [[channel-id sub]]
+                                   [channel-id (cond-> sub
+                                                 (and (= :offline (:status sub))
+                                                      (contains? server-channels channel-id))
+                                                 (assoc :status :confirmed))]))
+                         %))
+      (doseq [channel-id server-channels
+              :when (not (contains? @subs channel-id))]
+        (send-now! client-id (get @clients client-id)
+                   [event-unsubscribe {:channel-id channel-id}]
+                   event-unsubscribe)))))
+
+(defn- track-subscriptions!
+  "Note a subscribe answer or channel message for the client's channels;
+   failures are logged and passed to :on-subscribe-error. Returns nil."
+  [client-id event-id data]
+  (let [[event-id data] (if (and (= :chsk/recv event-id) (vector? data)) data [event-id data])
+        subs (get-in @clients [client-id :subscriptions])
+        channel-id (when (map? data) (:channel-id data))]
+    (when (and subs (contains? @subs channel-id))
+      (cond
+        (and (= event-id event-subscribed) (:success data))
+        (swap! subs update channel-id
+               #(cond-> (dissoc (assoc % :status :confirmed) :error)
+                  (:last-message-id data) (update :last-message-id (fnil max 0) (:last-message-id data))))
 
-      (if (:error parsed)
-        (trove/log! {:level :warn
-                     :id :sente-lite.client/msg-error
-                     :data {:client-id client-id
-                            :error (:error parsed)}})
-        (let [[event-id data] (maybe-unwrap-recv (:event-id parsed) (:data parsed) config)]
-          (trove/log! {:level :trace
-                       :id :sente-lite.client/msg-recv
+        (= event-id event-subscribed)
+        (do
+          (swap! subs update channel-id assoc :status :failed :error (:error data))
+          (trove/log! {:level :warn
+                       :id :sente-lite.client/subscribe-failed
                        :data {:client-id client-id
-                              :event-id event-id}})
-
-          (cond
-            ;; Handle handshake
-            (= event-id event-handshake)
-            (let [uid (handle-handshake client-id data)
-                  ;; Get current reconnect-count from atom, not captured state
-                  current-reconnect-count (get-in @clients [client-id :reconnect-count] 0)
-                  is-reconnect? (> current-reconnect-count 0)]
-              (if is-reconnect?
-                (when-let [on-reconnect (:on-reconnect config)]
-                  (trove/log! {:level :trace
-                               :id :sente-lite.client/callback-on-reconnect
-                               :data {:client-id client-id :uid uid :reconnect-count current-reconnect-count}})
-                  (on-reconnect))
-                (when-let [on-open (:on-open config)]
-                  (trove/log! {:level :trace
-                               :id :sente-lite.client/callback-on-open
-                               :data {:client-id client-id :uid uid}})
-                  (on-open uid)))
-              ;; Call :on-channel-ready on EVERY connection (initial + reconnect)
-              (when-let [on-channel-ready (:on-channel-ready config)]
-                (trove/log! {:level :trace
-                             :id :sente-lite.client/callback-on-channel-ready
-                             :data {:client-id client-id :uid uid :is-reconnect? is-reconnect?}})
-                (on-channel-ready client-id)))
-
-            ;; Handle server ping -> respond with pong
-            (= event-id event-ws-ping)
-            (let [current-ws (:ws (get @clients client-id))]
+                              :channel-id channel-id
+                              :error (:error data)}})
+          (when-let [on-subscribe-error (get-in @clients [client-id :config :on-subscribe-error])]
+            (on-subscribe-error channel-id (:error data))))
+
+        (and (= event-id event-channel-msg) (number? (:message-id data)) (nil? (:pattern data)))
+        (swap! subs update channel-id update :last-message-id (fnil max 0) (:message-id data))))
+    nil))
+
+(defn- handle-parsed!
+  "Handle one parsed inbound message: replies, chunks, system events, then
+   user events."
+  [client-id config parsed]
+  (cond
+    (:error parsed)
+    (trove/log! {:level :warn
+                 :id :sente-lite.client/msg-error
+                 :data {:client-id client-id
+                        :error (:error parsed)}})
+
+    ;; Reply to a send! callback - not an event
+    (handle-reply! client-id parsed)
+    nil
+
+    ;; Part of a large message: handle the whole once complete
+    (= (:event-id parsed) chunking/event-chunk)
+    (when-let [text (receive-chunk! client-id (:data parsed))]
+      (handle-parsed! client-id config (parse-message text)))
+
+    ;; Server gave up on one of our send-large! transfers
+    (= (:event-id parsed) chunking/event-chunk-error)
+    (chunking/cancel! (get-in @clients [client-id :outgoing])
+                      (get-in parsed [:data :id])
+                      (get-in parsed [:data :reason]))
+
+    :else
+    (let [[event-id data] (maybe-unwrap-recv (:event-id parsed) (:data parsed) config)]
+      (trove/log! {:level :trace
+                   :id :sente-lite.client/msg-recv
+                   :data {:client-id client-id
+                          :event-id event-id}})
+
+      (cond
+        ;; Handle handshake
+        (= event-id event-handshake)
+        (let [uid (handle-handshake client-id data)
+              ;; Get current reconnect-count from atom, not captured state
+              current-reconnect-count (get-in @clients [client-id :reconnect-count] 0)
+              is-reconnect? (> current-reconnect-count 0)]
+          ;; A new connection has no provided methods on the server yet
+          (when (seq (some-> (get-in @clients [client-id :rpc-handlers]) deref))
+            (advertise-rpc! client-id))
+          ;; Nor our subscriptions and unacked deliveries, unless it
+          ;; resumed our session
+          (when (:resumed? (nth data 2 nil))
+            (reconcile-subscriptions! client-id (:channels (nth data 2))))
+          (swap-chsk-state! client-id assoc
+                            :open? true
+                            :ever-opened? true
+                            :first-open? (not is-reconnect?)
+                            :uid uid
+                            :csrf-token (second data)
+                            :reconnect-count current-reconnect-count
+                            :next-retry-at nil)
+          (restore-subscriptions! client-id)
+          (resend-unacked! client-id true)
+          (flush-outbox! client-id)
+          (if is-reconnect?
+            (when-let [on-reconnect (:on-reconnect config)]
               (trove/log! {:level :trace
-                           :id :sente-lite.client/auto-pong
-                           :data {:client-id client-id}})
-              (ws/send! current-ws (packer/pack [event-ws-pong])))
+                           :id :sente-lite.client/callback-on-reconnect
+                           :data {:client-id client-id :uid uid :reconnect-count current-reconnect-count}})
+              (on-reconnect))
+            (when-let [on-open (:on-open config)]
+              (trove/log! {:level :trace
+                           :id :sente-lite.client/callback-on-open
+                           :data {:client-id client-id :uid uid}})
+              (on-open uid)))
+          ;; Call :on-channel-ready on EVERY connection (initial + reconnect)
+          (when-let [on-channel-ready (:on-channel-ready config)]
+            (trove/log! {:level :trace
+                         :id :sente-lite.client/callback-on-channel-ready
+                         :data {:client-id client-id :uid uid :is-reconnect? is-reconnect?}})
+            (on-channel-ready client-id)))
+
+        ;; Handle server ping -> respond with pong
+        (= event-id event-ws-ping)
+        (let [current-ws (:ws (get @clients client-id))]
+          (trove/log! {:level :trace
+                       :id :sente-lite.client/auto-pong
+                       :data {:client-id client-id}})
+          (send-frame! current-ws (pack-frame config [event-ws-pong])))
+
+        ;; Server is draining: keep its reconnect hint for make-on-close,
+        ;; and let handlers see the notice
+        (= event-id event-server-shutdown)
+        (do
+          (swap! clients assoc-in [client-id :shutdown-hint] data)
+          (trove/log! {:level :info
+                       :id :sente-lite.client/server-shutdown
+                       :data {:client-id client-id :hint data}})
+          (dispatch-to-handlers! client-id {:event-id event-id :data data}))
+
+        ;; A call routed to us by the server (see provide!)
+        (= event-id rpc/event-rpc-request)
+        (serve-rpc-request! client-id data)
 
-            ;; User messages: dispatch to unified handler registry
-            :else
-            (let [msg {:event-id event-id :data data}]
-              ;; Dispatch to handler registry (on!/off!/take! - all use same mechanism)
-              (dispatch-to-handlers! client-id msg))))))))
+        ;; The server got one of our reliable sends
+        (= event-id delivery/event-ack)
+        (handle-ack! client-id data)
+
+        ;; A reliable delivery handled before: acked again, not handled again
+        (not (accept-delivery! client-id event-id data))
+        nil
+
+        ;; Subscribe answers and channel messages still go to the handlers
+        (track-subscriptions! client-id event-id data)
+        nil
+
+        ;; User messages: dispatch to unified handler registry
+        :else
+        (if-let [errors (schema/event-errors [event-id data])]
+          ;; Payload fails its registered schema - drop it
+          (do
+            (swap! clients update-in [client-id :message-count-invalid] inc)
+            (trove/log! {:level :warn
+                         :id :sente-lite.client/invalid-event
+                         :data {:client-id client-id
+                                :event-id event-id
+                                :errors errors}}))
+          (let [msg {:event-id event-id :data data}]
+            ;; Dispatch to handler registry (on!/off!/take! - all use same mechanism)
+            (dispatch-to-handlers! client-id msg)))))))
+
+(defn- complete-frame
+  "The frame to parse: text as is, binary as a byte[] once its last part
+   arrived (nil before). The ByteBuffer is copied, the socket reuses it."
+  [client-id raw-data last?]
+  (if-not (instance? ByteBuffer raw-data)
+    raw-data
+    (let [part (let [bs (byte-array (.remaining ^ByteBuffer raw-data))]
+                 (.get (.duplicate ^ByteBuffer raw-data) bs)
+                 bs)
+          parts (conj (or (get-in @clients [client-id :binary-parts]) []) part)]
+      (swap! clients assoc-in [client-id :binary-parts] (when-not last? parts))
+      (when last?
+        (if (= 1 (count parts))
+          part
+          (let [out (ByteArrayOutputStream.)]
+            (doseq [^bytes p parts] (.write out p 0 (alength p)))
+            (.toByteArray out)))))))
+
+(defn- make-on-message [client-id]
+  (fn [_ws raw-data last?]
+    (when-let [frame (complete-frame client-id raw-data last?)]
+      (let [config (get-in @clients [client-id :config])]
+        (swap! clients update-in [client-id :message-count-received] inc)
+        (handle-parsed! client-id config (parse-message frame))))))
 
 (defn- notify-once-handlers-closed!
   "Notify all :once? handlers that connection closed, and remove them."
@@ -264,7 +671,10 @@
       (let [config (:config client-state)
             reconnect-enabled? (:reconnect-enabled? client-state)]
         (swap! clients assoc-in [client-id :status] :disconnected)
-        (swap! clients assoc-in [client-id :ws] nil)
+        (swap! clients update client-id assoc :ws nil :binary-parts nil)
+        ;; The server dropped our subscriptions with the connection
+        (swap! (:subscriptions client-state)
+               #(into {} (map (fn [[channel-id sub]] [channel-id (assoc sub :status :offline)])) %))
         (trove/log! {:level :debug
                      :id :sente-lite.client/disconnected
                      :data {:client-id client-id
@@ -274,23 +684,24 @@
 
         ;; Notify and remove all :once? handlers (they were waiting for responses)
         (notify-once-handlers-closed! client-id)
+        (notify-reply-callbacks-closed! client-id (:callbacks client-state))
 
         (when-let [on-close (:on-close config)]
           (on-close code reason))
+        (swap-chsk-state! client-id assoc
+                          :open? false
+                          :last-close {:code code :reason reason :at (System/currentTimeMillis)})
 
         ;; Auto-reconnect if enabled
         (when reconnect-enabled?
-          (let [current-client-state (get @clients client-id)
-                delay-ms (:reconnect-delay current-client-state)
-                reconnect-count (:reconnect-count current-client-state)]
-            (trove/log! {:level :debug
-                         :id :sente-lite.client/reconnect-scheduled
-                         :data {:client-id client-id
-                                :delay-ms delay-ms
-                                :reconnect-count reconnect-count}})
-            (future
-              (Thread/sleep (long delay-ms))
-              (attempt-reconnect! client-id))))))))
+          (let [hint (:shutdown-hint (get @clients client-id))]
+            ;; A server shutdown hint replaces the normal delay once, and
+            ;; may point at another URL
+            (when hint
+              (swap! clients update client-id
+                     #(cond-> (assoc % :shutdown-hint nil)
+                        (:url hint) (assoc-in [:config :url] (:url hint)))))
+            (schedule-reconnect! client-id (:reconnect-after-ms hint))))))))
 
 (defn- make-on-error [client-id]
   (fn [ws error]
@@ -304,7 +715,7 @@
 (defn- connect-internal! [client-id]
   (let [client-state (get @clients client-id)
         config (:config client-state)
-        url (:url config)]
+        url (session/with-token (:url config) (:session-token client-state))]
     (try
       (ws/websocket {:uri url
                      :on-open (make-on-open client-id)
@@ -319,44 +730,69 @@
                             :error (.getMessage e)}})
         nil))))
 
+(defn- give-up-reconnecting!
+  [client-id attempts]
+  (swap! clients update client-id assoc :gave-up? true :reconnect-attempt 0)
+  (trove/log! {:level :warn
+               :id :sente-lite.client/reconnect-gave-up
+               :data {:client-id client-id
+                      :attempts attempts}})
+  (when-let [on-give-up (get-in @clients [client-id :config :on-give-up])]
+    (on-give-up attempts)))
+
+(defn- schedule-reconnect!
+  "Schedule the next reconnect attempt after the policy's delay (or
+   delay-ms, e.g. from a shutdown hint), or give up when the policy says
+   so."
+  [client-id delay-ms]
+  (when-let [client-state (get @clients client-id)]
+    (when (:reconnect-enabled? client-state)
+      (let [attempt (inc (:reconnect-attempt client-state))
+            delay-ms (or delay-ms
+                         (reconnect/next-delay (:reconnect-policy client-state) attempt
+                                               (:last-reconnect-delay client-state)))]
+        (if (nil? delay-ms)
+          (give-up-reconnecting! client-id (dec attempt))
+          (do
+            (swap! clients update client-id assoc
+                   :reconnect-attempt attempt
+                   :last-reconnect-delay delay-ms)
+            (swap-chsk-state! client-id assoc :next-retry-at (+ (System/currentTimeMillis) delay-ms))
+            (trove/log! {:level :debug
+                         :id :sente-lite.client/reconnect-scheduled
+                         :data {:client-id client-id
+                                :delay-ms delay-ms
+                                :attempt attempt
+                                :reconnect-count (:reconnect-count client-state)}})
+            (future
+              (Thread/sleep (long delay-ms))
+              (attempt-reconnect! client-id))))))))
+
 (defn- attempt-reconnect! [client-id]
   (when-let [client-state (get @clients client-id)]
     (when (:reconnect-enabled? client-state)
       (let [config (:config client-state)
             url (:url config)
-            reconnect-count (:reconnect-count client-state)
-            new-reconnect-count (inc reconnect-count)]
+            new-reconnect-count (inc (:reconnect-count client-state))]
 
         (trove/log! {:level :debug
                      :id :sente-lite.client/reconnect-attempt
                      :data {:client-id client-id
                             :reconnect-count new-reconnect-count
+                            :attempt (:reconnect-attempt client-state)
                             :url url}})
 
         (try
           ;; Increment reconnect count BEFORE creating WebSocket
           (swap! clients update-in [client-id :reconnect-count] inc)
-
-          ;; Calculate exponential backoff for NEXT reconnection
-          (let [base-delay (:reconnect-delay client-state)
-                max-delay (:max-reconnect-delay client-state)
-                next-delay (min (* base-delay (Math/pow 2 new-reconnect-count)) max-delay)]
-            (swap! clients assoc-in [client-id :reconnect-delay] next-delay))
+          (swap-chsk-state! client-id assoc
+                            :reconnect-count new-reconnect-count
+                            :next-retry-at nil)
 
           ;; Create new WebSocket - if it fails (returns nil), schedule retry
-          (let [result (connect-internal! client-id)]
-            (when (nil? result)
-              ;; Connection failed (e.g., server not available) - schedule retry
-              (when (get-in @clients [client-id :reconnect-enabled?])
-                (let [retry-delay (get-in @clients [client-id :reconnect-delay])]
-                  (trove/log! {:level :debug
-                               :id :sente-lite.client/reconnect-retry-scheduled
-                               :data {:client-id client-id
-                                      :retry-delay retry-delay
-                                      :reason :connection-failed}})
-                  (future
-                    (Thread/sleep (long retry-delay))
-                    (attempt-reconnect! client-id))))))
+          (when (nil? (connect-internal! client-id))
+            ;; Connection failed (e.g., server not available)
+            (schedule-reconnect! client-id nil))
 
           (catch Exception e
             (trove/log! {:level :error
@@ -364,16 +800,7 @@
                          :data {:client-id client-id
                                 :error (.getMessage e)
                                 :reconnect-count new-reconnect-count}})
-            ;; Failed reconnect - try again after delay if still enabled
-            (when (get-in @clients [client-id :reconnect-enabled?])
-              (let [retry-delay (get-in @clients [client-id :reconnect-delay])]
-                (trove/log! {:level :debug
-                             :id :sente-lite.client/reconnect-retry
-                             :data {:client-id client-id
-                                    :retry-delay retry-delay}})
-                (future
-                  (Thread/sleep (long retry-delay))
-                  (attempt-reconnect! client-id))))))))))
+            (schedule-reconnect! client-id nil)))))))
 
 ;;; Public API
 
@@ -385,7 +812,7 @@
     (let [ws (:ws client-state)]
       (if (and ws (= :connected (:status client-state)))
         (do
-          (ws/send! ws serialized)
+          (send-frame! ws serialized)
           (swap! clients update-in [client-id :message-count-sent] inc)
           (trove/log! {:level :trace
                        :id :sente-lite.client/msg-sent
@@ -409,6 +836,8 @@
 
   Config options:
     :url                  - WebSocket URL (required, e.g. \"ws://localhost:3000/ws\")
+    :wire-format          - :edn (default) or :msgpack to send binary MessagePack
+                            frames (see sente-lite.msgpack). Either kind is read.
     :on-open              - Called on initial connection with uid (fn [uid])
     :on-reconnect         - Called after reconnection (fn [])
     :on-channel-ready     - Called on EVERY connection (initial + reconnect) after handshake.
@@ -416,13 +845,48 @@
     :on-message           - Called with parsed message (fn [event-id data]).
                             Internally registered as catch-all on! handler.
     :on-close             - Called when connection closes (fn [code reason])
+    :on-subscribe-error   - Called when the server refuses one of the channels
+                            subscribe! was called for, on the first try or
+                            when restoring it after a reconnect
+                            (fn [channel-id error])
     :on-error             - Called on error (fn [error])
     :auto-reconnect?      - Enable auto-reconnect (default: true)
     :reconnect-delay      - Initial reconnect delay in ms (default: 1000)
     :max-reconnect-delay  - Maximum reconnect delay in ms (default: 30000)
+    :reconnect-strategy   - :exponential (default), :full-jitter, :equal-jitter,
+                            :decorrelated-jitter or (fn [{:keys [attempt
+                            prev-delay-ms base-ms max-ms]}]) -> ms or nil to
+                            give up (see sente-lite.reconnect)
+    :max-reconnect-attempts - Give up after this many failed attempts in a
+                            row (default: nil, never)
+    :on-give-up           - Called once the client gives up (fn [attempts])
     :send-queue           - Send queue config map (optional):
                             {:max-depth 1000          ; max queued messages
                              :flush-interval-ms 10}   ; flush interval
+    :large-messages       - {:max-size :max-transfers :max-buffered :timeout-ms
+                             :on-progress} for chunked
+                            transfers from the server's send-large! (see
+                            sente-lite.chunking)
+    :outbox               - {:file \"sente-lite-outbox.edn\" :max-messages 1000
+                             :max-age-ms 86400000} to keep send!s made while
+                            disconnected in a file and send them in order
+                            after the next handshake, even from a later
+                            process (see sente-lite.outbox-bb)
+    :reliable             - {:retry-ms 2000 :max-retry-ms 30000 :max-attempts nil
+                             :max-unacked 1000 :dedup-window-ms 600000} for
+                            (send! .. {:reliable? true}) and for reliable
+                            channel messages, which are acked and handled
+                            once (see sente-lite.delivery)
+
+  When the server announces [:chsk/server-shutdown {:reconnect-after-ms ..
+  :url ..}] before closing, the next reconnect waits :reconnect-after-ms
+  instead of the normal delay and goes to :url if given. Handlers registered
+  with on! see the notice too.
+
+  When the server has :sessions, reconnects after a dropped connection
+  present the session token from the handshake and resume the session:
+  same uid, subscriptions kept, events sent meanwhile delivered. close!
+  ends the session.
 
   Returns client-id handle for send!/close!/on!/off!/take! operations."
   [config]
@@ -478,17 +942,11 @@
                             :flush-interval-ms (:flush-interval-ms send-queue-config 10)}})))
 
     ;; Connect - if it fails and auto-reconnect is enabled, schedule retry
-    (let [result (connect-internal! client-id)]
-      (when (and (nil? result)
-                 (:reconnect-enabled? client-state))
-        (let [delay-ms (:reconnect-delay client-state)]
-          (trove/log! {:level :debug
-                       :id :sente-lite.client/initial-connect-failed-scheduling-retry
-                       :data {:client-id client-id
-                              :retry-delay delay-ms}})
-          (future
-            (Thread/sleep delay-ms)
-            (attempt-reconnect! client-id)))))
+    (when (nil? (connect-internal! client-id))
+      (trove/log! {:level :debug
+                   :id :sente-lite.client/initial-connect-failed
+                   :data {:client-id client-id}})
+      (schedule-reconnect! client-id nil))
 
     (trove/log! {:level :trace
                  :id :sente-lite.client/created
@@ -497,6 +955,74 @@
     ;; Return client-id as handle
     client-id))
 
+(defn- outbound-errors
+  "Schema errors of an outgoing event, or nil. Invalid events are counted
+   and logged; send! does not send them."
+  [client-id message]
+  (when-let [errors (schema/event-errors message)]
+    (swap! clients update-in [client-id :send-count-invalid] inc)
+    (trove/log! {:level :error
+                :id :sente-lite.client/invalid-outbound-event
+                :data {:client-id client-id
+                       :event-id (first message)
+                       :errors errors}})
+    errors))
+
+(defn- send-now!
+  "Serialize and send (or enqueue) a wire message. Returns :ok/:rejected with
+   a send queue, true/false without."
+  [client-id client-state wire-message event-id]
+  (let [send-queue (:send-queue client-state)]
+    (if send-queue
+      ;; Queue-based sending
+      (let [serialized (pack-frame (:config client-state) wire-message)
+            result (q/enqueue! send-queue [serialized wire-message])]
+        (when (= result :rejected)
+          (trove/log! {:level :warn
+                       :id :sente-lite.client/queue-full
+                       :data {:client-id client-id
+                              :message-type event-id}}))
+        result)
+      ;; Direct sending (no queue)
+      (let [ws (:ws client-state)]
+        (if (and ws (= :connected (:status client-state)))
+          (let [serialized (pack-frame (:config client-state) wire-message)]
+            (send-frame! ws serialized)
+            (swap! clients update-in [client-id :message-count-sent] inc)
+            (trove/log! {:level :trace
+                         :id :sente-lite.client/msg-sent
+                         :data {:client-id client-id
+                                :message-type event-id
+                                :size (count serialized)}})
+            true)
+          (do
+            (trove/log! {:level :warn
+                         :id :sente-lite.client/send-failed
+                         :data {:client-id client-id
+                                :status (:status client-state)
+                                :has-ws (some? ws)}})
+            false))))))
+
+(defn- start-redelivery!
+  "Start resending the client's due unacked deliveries in the background,
+   once; stops when the client is closed."
+  [client-id]
+  (when-let [client-state (get @clients client-id)]
+    (when (compare-and-set! (:redelivery? client-state) false true)
+      (future
+        (try
+          (loop []
+            (Thread/sleep (:sweep-interval-ms (reliable-config client-id)))
+            (when-let [client-state (get @clients client-id)]
+              (when (= :connected (:status client-state))
+                (resend-unacked! client-id false))
+              (recur)))
+          (catch Exception e
+            (trove/log! {:level :error
+                         :id :sente-lite.client/redelivery-error
+                         :error e
+                         :data {:client-id client-id}})))))))
+
 (defn send!
   "Send message through client. Message should be an event vector [event-id data].
 
@@ -507,45 +1033,171 @@
   If no send-queue (direct send):
     Returns true if sent immediately, false if failed.
 
+  If an :outbox is configured:
+    Returns :queued while disconnected (or while earlier events still wait
+    in the outbox): the event is kept and sent after the next handshake.
+    Returns :rejected when the outbox holds :max-messages.
+
+  With timeout-ms and callback (Sente-style request/reply):
+    The event goes out as [[event-id data] cb-uuid]. The server answers via
+    its ?reply-fn and callback receives the reply data, or :chsk/timeout if
+    none arrives within timeout-ms, :chsk/closed if the connection is down
+    or drops first, :chsk/error if the send queue rejected the message.
+
+  With opts {:reliable? true} (at-least-once, see sente-lite.delivery):
+    The event is kept until the server acks it, and sent again with
+    backoff (per make-client!'s :reliable config) and after reconnects;
+    the server handles it once. Returns the delivery id, or false if the
+    event is invalid or :max-unacked sends are outstanding. :on-ack
+    (fn [delivery-id]) is called once the server has it.
+
+  Events (and channel publishes) with a sente-lite.schema registration are
+  validated first. An invalid event is not sent: send! returns false and
+  callback receives [:chsk/bad-event {:id .. :errors ..}], the same answer
+  the server gives for invalid payloads.
+
   Example:
-    (send! client [:my/event {:data \"value\"}])"
-  [client-id message]
-  (if-let [client-state (get @clients client-id)]
-    (let [send-queue (:send-queue client-state)]
-      (if send-queue
-        ;; Queue-based sending
-        (let [serialized (packer/pack message)
-              result (q/enqueue! send-queue [serialized message])]
-          (when (= result :rejected)
-            (trove/log! {:level :warn
-                         :id :sente-lite.client/queue-full
-                         :data {:client-id client-id
-                                :message-type (first message)}}))
-          result)
-        ;; Direct sending (no queue)
-        (let [ws (:ws client-state)]
-          (if (and ws (= :connected (:status client-state)))
-            (let [serialized (packer/pack message)]
-              (ws/send! ws serialized)
-              (swap! clients update-in [client-id :message-count-sent] inc)
-              (trove/log! {:level :trace
-                           :id :sente-lite.client/msg-sent
-                           :data {:client-id client-id
-                                  :message-type (first message)
-                                  :size (count serialized)}})
-              true)
-            (do
-              (trove/log! {:level :warn
-                           :id :sente-lite.client/send-failed
-                           :data {:client-id client-id
-                                  :status (:status client-state)
-                                  :has-ws (some? ws)}})
-              false)))))
-    (do
-      (trove/log! {:level :error
-                   :id :sente-lite.client/invalid-client-id
-                   :data {:client-id client-id}})
-      false)))
+    (send! client [:my/event {:data \"value\"}])
+    (send! client [:order/place {:id 7}] {:reliable? true})
+    (send! client [:user/get {:id 1}] 5000
+           (fn [reply]
+             (if (keyword? reply)
+               (println \"No reply:\" reply)
+               (println \"User:\" reply))))"
+  ([client-id message]
+   (if-let [client-state (get @clients client-id)]
+     (let [box (:outbox client-state)]
+       (cond
+         (outbound-errors client-id message)
+         false
+
+         (and box (or (not= :connected (:status client-state))
+                      (pos? (outbox/pending box))))
+         (let [result (outbox/add! box message)]
+           (if (= result :rejected)
+             (trove/log! {:level :warn
+                          :id :sente-lite.client/outbox-full
+                          :data {:client-id client-id
+                                 :message-type (first message)}})
+             ;; Connected again in the meantime: don't wait for a handshake
+             (when (= :connected (get-in @clients [client-id :status]))
+               (flush-outbox! client-id)))
+           result)
+
+         :else
+         (send-now! client-id client-state message (first message))))
+     (do
+       (trove/log! {:level :error
+                    :id :sente-lite.client/invalid-client-id
+                    :data {:client-id client-id}})
+       false)))
+  ([client-id message {:keys [reliable? on-ack]}]
+   (let [client-state (get @clients client-id)
+         config (reliable-config client-id)]
+     (cond
+       (not reliable?)
+       (send! client-id message)
+
+       (nil? client-state)
+       (do
+         (trove/log! {:level :error
+                      :id :sente-lite.client/invalid-client-id
+                      :data {:client-id client-id}})
+         false)
+
+       (outbound-errors client-id message)
+       false
+
+       (delivery/full? config @(:unacked client-state))
+       (do
+         (trove/log! {:level :warn
+                      :id :sente-lite.client/unacked-full
+                      :data {:client-id client-id
+                             :event-id (first message)}})
+         false)
+
+       :else
+       (let [id (delivery/make-id)
+             envelope (delivery/deliver-event id message)]
+         (swap! (:unacked client-state) assoc id
+                (assoc (delivery/make-entry id envelope (delivery/now-ms) config)
+                       :on-ack on-ack))
+         (start-redelivery! client-id)
+         (send-now! client-id client-state envelope delivery/event-deliver)
+         id))))
+  ([client-id message timeout-ms callback]
+   (if-let [client-state (get @clients client-id)]
+     (if-let [errors (outbound-errors client-id message)]
+       (do
+         (callback (schema/bad-event message errors))
+         false)
+       (let [callbacks-atom (:callbacks client-state)
+             cb-uuid (str (java.util.UUID/randomUUID))]
+         ;; Register BEFORE sending - the reply may arrive on another thread
+         (register-reply-callback! client-id callbacks-atom cb-uuid timeout-ms callback)
+         (let [result (send-now! client-id client-state [message cb-uuid] (first message))]
+           (when-not (contains? #{true :ok} result)
+             (when-let [entry (pull-reply-callback! callbacks-atom cb-uuid)]
+               (invoke-reply-callback! client-id entry
+                                       (if (= result :rejected) :chsk/error :chsk/closed))))
+           result)))
+     (do
+       (trove/log! {:level :error
+                    :id :sente-lite.client/invalid-client-id
+                    :data {:client-id client-id}})
+       (callback :chsk/closed)
+       false))))
+
+(defn send-large!
+  "Send an event too big for one frame as a chunked transfer the server
+  reassembles (see sente-lite.chunking). Chunks go out one at a time, so
+  heartbeats and other sends are not held up. Returns the transfer id, or
+  false when the event fails its schema or the client is unknown.
+
+  opts:
+    :chunk-size       - characters per chunk (default 32768)
+    :on-progress      - (fn [{:transfer-id :sent :total :bytes-sent
+                              :bytes-total :status :sending|:done|:failed
+                              :reason}])
+    :callback         - request/reply as with send!; also receives
+                        :chsk/error when the transfer fails
+    :reply-timeout-ms - reply timeout for :callback
+
+  Example:
+    (send-large! client [:snapshot/put big-map]
+                 {:on-progress #(println (:sent %) \"/\" (:total %))})"
+  ([client-id message] (send-large! client-id message {}))
+  ([client-id message {:keys [callback reply-timeout-ms on-progress] :as opts}]
+   (if-let [client-state (get @clients client-id)]
+     (if-let [errors (outbound-errors client-id message)]
+       (do
+         (when callback (callback (schema/bad-event message errors)))
+         false)
+       (let [callbacks-atom (:callbacks client-state)
+             cb-uuid (when callback (str (java.util.UUID/randomUUID)))]
+         (when cb-uuid
+           (register-reply-callback! client-id callbacks-atom cb-uuid reply-timeout-ms callback))
+         (chunking/start-transfer!
+          (:outgoing client-state)
+          (packer/pack (if cb-uuid [message cb-uuid] message))
+          (assoc (dissoc opts :callback :reply-timeout-ms)
+                 :on-progress (fn [progress]
+                                (when (= :failed (:status progress))
+                                  (when-let [entry (and cb-uuid (pull-reply-callback! callbacks-atom cb-uuid))]
+                                    (invoke-reply-callback! client-id entry :chsk/error)))
+                                (when on-progress (on-progress progress))))
+          (fn [chunk-event]
+            (let [result (send-now! client-id (get @clients client-id) chunk-event chunking/event-chunk)]
+              (cond
+                (contains? #{true :ok} result) :sent
+                (= result :rejected) :busy
+                :else :failed))))))
+     (do
+       (trove/log! {:level :error
+                    :id :sente-lite.client/invalid-client-id
+                    :data {:client-id client-id}})
+       (when callback (callback :chsk/closed))
+       false))))
 
 (defn close!
   "Close WebSocket connection gracefully. Stops send queue and drains remaining messages."
@@ -560,8 +1212,14 @@
                        :id :sente-lite.client/queue-stopped
                        :data {:client-id client-id
                               :final-stats final-stats}})))
+      (swap-chsk-state! client-id assoc
+                        :open? false
+                        :last-close {:code 1000 :reason "client close" :at (System/currentTimeMillis)}
+                        :next-retry-at nil)
       ;; Remove client from registry to prevent on-close from re-adding
       (swap! clients dissoc client-id)
+      ;; on-close won't run for a removed client - fail pending replies here
+      (notify-reply-callbacks-closed! client-id (:callbacks client-state))
       (when ws
         (trove/log! {:level :debug
                      :id :sente-lite.client/closing
@@ -597,6 +1255,22 @@
   (when-let [client-state (get @clients client-id)]
     (:csrf-token client-state)))
 
+(defn chsk-state
+  "The client's connection state, a watchable atom (nil if invalid client-id):
+    :open?           - handshake done, connection usable
+    :ever-opened?    - opened at least once
+    :first-open?     - the current/last open was the first, not a reconnect
+    :uid :csrf-token - from the last handshake
+    :last-close      - {:code :reason :at} of the last disconnect
+    :reconnect-count - reconnect attempts so far
+    :next-retry-at   - epoch ms of the scheduled reconnect attempt, or nil
+    :transport       - :ws
+
+  Changes are also dispatched to on! handlers as [:chsk/state [old new]];
+  :* catch-alls and :on-message don't receive them."
+  [client-id]
+  (get-in @clients [client-id :chsk-state]))
+
 (defn get-stats
   "Get client statistics including message counts."
   [client-id]
@@ -606,7 +1280,22 @@
      :uid (:uid client-state)
      :messages-sent (:message-count-sent client-state)
      :messages-received (:message-count-received client-state)
-     :reconnect-count (:reconnect-count client-state)}))
+     :messages-invalid (:message-count-invalid client-state)
+     :sends-invalid (:send-count-invalid client-state)
+     :unacked (count @(:unacked client-state))
+     :pending-offline (if-let [box (:outbox client-state)] (outbox/pending box) 0)
+     :subscriptions (let [subs @(:subscriptions client-state)]
+                      {:desired (set (keys subs))
+                       :confirmed (set (keep (fn [[channel-id sub]]
+                                               (when (= :confirmed (:status sub)) channel-id))
+                                             subs))
+                       :failed (into {} (keep (fn [[channel-id sub]]
+                                                (when (= :failed (:status sub))
+                                                  [channel-id (:error sub)])))
+                                     subs)})
+     :reconnect-count (:reconnect-count client-state)
+     :reconnect-attempt (:reconnect-attempt client-state)
+     :gave-up? (:gave-up? client-state)}))
 
 (defn queue-stats
   "Get send queue statistics. Returns nil if no queue configured.
@@ -616,6 +1305,14 @@
     (when-let [send-queue (:send-queue client-state)]
       (q/queue-stats send-queue))))
 
+(defn outbox-stats
+  "Get offline outbox statistics. Returns nil if no outbox configured.
+  Stats include: :pending :queued :sent :expired :rejected"
+  [client-id]
+  (when-let [client-state (get @clients client-id)]
+    (when-let [box (:outbox client-state)]
+      (outbox/outbox-stats box))))
+
 (defn list-clients
   "List all active client IDs."
   []
@@ -623,15 +1320,18 @@
 
 (defn set-reconnect!
   "Enable or disable auto-reconnect for a client.
-  Useful for stopping reconnection attempts when shutting down."
+  Useful for stopping reconnection attempts when shutting down. Enabling it
+  on a client that gave up (see :max-reconnect-attempts) starts over."
   [client-id enabled?]
-  (if-let [_client-state (get @clients client-id)]
+  (if-let [client-state (get @clients client-id)]
     (do
-      (swap! clients assoc-in [client-id :reconnect-enabled?] enabled?)
+      (swap! clients update client-id assoc :reconnect-enabled? enabled? :gave-up? false)
       (trove/log! {:level :debug
                    :id :sente-lite.client/reconnect-setting-updated
                    :data {:client-id client-id
                           :enabled? enabled?}})
+      (when (and enabled? (:gave-up? client-state))
+        (schedule-reconnect! client-id nil))
       true)
     (do
       (trove/log! {:level :warn
@@ -642,20 +1342,91 @@
 ;;; Channel/Pub-Sub API (event vector format)
 
 (defn subscribe!
-  "Subscribe to a channel. Returns true if message was sent.
+  "Subscribe to a channel, or to a wildcard pattern: sensors/* (one
+  segment) or sensors/# (any depth). Messages that reach you through a
+  pattern carry it as :pattern next to the concrete :channel-id.
+  Returns true if the subscribe was sent (or the channel is already
+  subscribed with the same opts), :pending while disconnected.
+
+  The client remembers the channel and subscribes to it again after every
+  reconnect, with :since set to the last message id it saw there, so
+  apps need not re-subscribe in :on-channel-ready. get-stats shows the
+  channels it wants and those the server has confirmed; a refusal is
+  logged and passed to make-client!'s :on-subscribe-error.
+
+  The server first confirms with [:sente-lite/subscribed {:channel-id ..
+  :success true :last-message-id n}], then replays the channel's retained
+  messages (:retained? true) before live ones. Channel messages carry a
+  :message-id counting up per channel; pass the last one you saw as
+  :since to get only what you missed (a jump in ids means more was missed
+  than the server retains).
+
+  On a channel with presence (see sente-lite.presence) pass a small
+  :presence map to be listed with: subscribers get
+  [:sente-lite/presence-join {:channel-id .. :uid .. :conn-id .. :meta ..}]
+  and :sente-lite/presence-leave as members come and go.
 
   Example:
-    (subscribe! client \"my-channel\")"
-  [client-id channel-id]
-  (send! client-id [event-subscribe {:channel-id channel-id}]))
+    (subscribe! client \"my-channel\")
+    (subscribe! client \"sensors/#\")
+    (subscribe! client \"my-channel\" {:since 41})
+    (subscribe! client \"doc/42\" {:presence {:name \"Ann\"}})"
+  ([client-id channel-id]
+   (subscribe! client-id channel-id nil))
+  ([client-id channel-id opts]
+   (if-let [client-state (get @clients client-id)]
+     (let [opts (not-empty (select-keys opts [:since :presence]))
+           subs (:subscriptions client-state)
+           sub (get @subs channel-id)
+           connected? (= :connected (:status client-state))]
+       (cond
+         (and sub (= opts (:opts sub)) (#{:pending :confirmed} (:status sub)))
+         true
+
+         (not connected?)
+         (do
+           (swap! subs assoc channel-id {:opts opts :status :offline})
+           :pending)
+
+         :else
+         (do
+           (swap! subs assoc channel-id {:opts opts :status :pending})
+           (send! client-id (subscribe-event channel-id opts)))))
+     (send! client-id (subscribe-event channel-id opts)))))
+
+(defn presence-list
+  "Ask for the members of a presence channel. callback receives
+  {:channel-id .. :members [{:uid :conn-id :meta :joined-at} ..]}, oldest
+  first, or {:channel-id .. :error reason} (:presence-disabled, or a
+  channel access denial), or :chsk/timeout / :chsk/closed as with send!.
+  Returns what send! returns.
+
+  Example:
+    (presence-list client \"doc/42\"
+                   (fn [{:keys [members]}]
+                     (println (map (comp :name :meta) members))))"
+  ([client-id channel-id callback]
+   (presence-list client-id channel-id 5000 callback))
+  ([client-id channel-id timeout-ms callback]
+   (send! client-id [event-presence-list {:channel-id channel-id}] timeout-ms
+          (fn [reply]
+            (callback (if (vector? reply) (second reply) reply))))))
 
 (defn unsubscribe!
-  "Unsubscribe from a channel. Returns true if message was sent.
+  "Unsubscribe from a channel, which is then no longer restored after a
+  reconnect. Returns true if message was sent (or there was no connection
+  to unsubscribe).
 
   Example:
     (unsubscribe! client \"my-channel\")"
   [client-id channel-id]
-  (send! client-id [event-unsubscribe {:channel-id channel-id}]))
+  (if-let [client-state (get @clients client-id)]
+    (do
+      (swap! (:subscriptions client-state) dissoc channel-id)
+      (if (= :connected (:status client-state))
+        (send! client-id [event-unsubscribe {:channel-id channel-id}])
+        true))
+    (send! client-id [event-unsubscribe {:channel-id channel-id}])))
 
 (defn publish!
   "Publish a message to a channel. Returns true if message was sent.
@@ -721,6 +1492,76 @@
    :timeout-ms timeout-ms
    :callback callback})
 
+(defn call!
+  "Call an RPC method: a handler registered on the server (see the
+  server's register-rpc!) or, when the server routes calls to clients, a
+  client that provide!s it. Returns a promise of the reply, also passed
+  to :callback when given:
+
+    {:result value}
+    {:error {:code kw :message str :data ..}}
+
+  Error codes: :method-not-found, :handler-error (or the handler's own
+  :code), :timeout, :provider-disconnected, :closed, :send-failed and
+  :invalid-request (see sente-lite.rpc).
+
+  Options:
+    :timeout-ms - how long to wait for the reply (default 30000)
+    :callback   - (fn [reply])
+    :target-uid - for routed calls, only a client of this user answers
+
+  Example:
+    @(call! client :math/add {:a 1 :b 2} {:timeout-ms 2000})
+    ;; => {:result 3}"
+  ([client-id method params]
+   (call! client-id method params nil))
+  ([client-id method params {:keys [timeout-ms callback target-uid]}]
+   (let [timeout-ms (or timeout-ms (:timeout-ms rpc/default-config))
+         reply-promise (promise)]
+     (send! client-id [rpc/event-rpc (cond-> {:method method
+                                              :params params
+                                              :timeout-ms timeout-ms}
+                                       target-uid (assoc :target-uid target-uid))]
+            timeout-ms
+            (fn [answer]
+              (let [reply (rpc/reply answer)]
+                (deliver reply-promise reply)
+                (when callback
+                  (callback reply)))))
+     reply-promise)))
+
+(defn- advertise-rpc!
+  "Tell the server which methods we provide!, replacing what it knew."
+  [client-id]
+  (let [client-state (get @clients client-id)]
+    (when (= :connected (:status client-state))
+      (send! client-id [rpc/event-rpc-advertise
+                        {:methods (vec (keys @(:rpc-handlers client-state)))}]))))
+
+(defn provide!
+  "Answer call!s of method from other clients, for servers routing calls
+  to clients (:rpc {:route-to-clients? true}). handler is
+  (fn [params ctx]) with ctx {:method :from-uid}; it runs on a future and
+  what it returns is the :result. A handler that throws answers with
+  {:error {:code (:code ex-data, default :handler-error) ..}}. Methods are
+  advertised again after every reconnect.
+
+  Example:
+    (provide! client :editor/format (fn [{:keys [text]} _ctx] (format-code text)))"
+  [client-id method handler]
+  (when-let [client-state (get @clients client-id)]
+    (swap! (:rpc-handlers client-state) assoc method handler)
+    (advertise-rpc! client-id)
+    method))
+
+(defn unprovide!
+  "Stop answering calls of method."
+  [client-id method]
+  (when-let [client-state (get @clients client-id)]
+    (swap! (:rpc-handlers client-state) dissoc method)
+    (advertise-rpc! client-id)
+    method))
+
 ;;; Unified Handler API (on!/off!)
 
 (defn on!
@@ -728,6 +1569,7 @@
 
   Options:
     :event-id   - Event ID to match (keyword), or :* for all events
+                  (except :chsk/state, see chsk-state)
     :pred       - Predicate function (fn [msg] -> bool), alternative to :event-id
     :callback   - Handler function (fn [msg] ...), receives {:event-id :data}
     :once?      - If true, handler removed after first match (default: false)
@@ -0,0 +1,142 @@
+(ns sente-lite.outbox-bb
+  "Offline outbox for the bb client, kept in a file so sends queued while
+   disconnected survive a crash or restart.
+
+   With :outbox in make-client!'s config, send! puts events in the outbox
+   instead of failing while the client is disconnected (and behind ones
+   already waiting, to keep their order); they go out oldest first after
+   the next handshake, in this process or the next one using the file.
+
+   The file holds one EDN entry {:event [..] :queued-at ms} per line and is
+   appended to on every send, rewritten after a flush. A line cut off by a
+   crash mid-write is skipped. Entries older than :max-age-ms are dropped
+   unsent. Use one file per client."
+  (:require [clojure.edn :as edn]
+            [clojure.java.io :as io]
+            [clojure.string :as str]
+            [taoensso.trove :as trove])
+  (:import [java.io File]))
+
+(def default-config
+  {:file "sente-lite-outbox.edn"
+   :max-messages 1000                  ; send! answers :rejected beyond this
+   :max-age-ms (* 24 60 60 1000)})     ; nil = never expire
+
+;; ============================================================================
+;; File
+;; ============================================================================
+
+(defn- read-entries
+  [^File file]
+  (if (.exists file)
+    (with-open [rdr (io/reader file)]
+      (into []
+            (keep (fn [line]
+                    (when-not (str/blank? line)
+                      (try
+                        (edn/read-string line)
+                        (catch Exception e
+                          (trove/log! {:level :warn
+                                       :id :sente-lite.outbox/bad-line
+                                       :error e
+                                       :data {:file (str file)}})
+                          nil)))))
+            (line-seq rdr)))
+    []))
+
+(defn- write-entries!
+  "Replace the file's content with entries (through a temp file, so a
+   crash leaves the old or the new one)."
+  [^File file entries]
+  (if (empty? entries)
+    (io/delete-file file true)
+    (let [tmp (io/file (str file ".tmp"))]
+      (io/make-parents file)
+      (spit tmp (str/join (map #(str (pr-str %) "\n") entries)))
+      (.renameTo tmp file))))
+
+(defn- append-entry!
+  [^File file entry]
+  (io/make-parents file)
+  (spit file (str (pr-str entry) "\n") :append true))
+
+;; ============================================================================
+;; Outbox
+;; ============================================================================
+
+(defn- expired?
+  [config now entry]
+  (when-let [max-age (:max-age-ms config)]
+    (< (:queued-at entry) (- now max-age))))
+
+(defn make-outbox
+  "An outbox on config's :file, holding what an earlier run left there."
+  [config]
+  (let [config (merge default-config config)
+        file (io/file (:file config))
+        now (System/currentTimeMillis)
+        loaded (read-entries file)
+        entries (into [] (remove #(expired? config now %)) loaded)]
+    (when (seq loaded)
+      (trove/log! {:level :info
+                   :id :sente-lite.outbox/loaded
+                   :data {:file (str file)
+                          :pending (count entries)
+                          :expired (- (count loaded) (count entries))}}))
+    (when (not= (count loaded) (count entries))
+      (write-entries! file entries))
+    {:config config
+     :file file
+     :lock (Object.)
+     :entries (atom entries)
+     :stats (atom {:queued 0 :sent 0 :expired (- (count loaded) (count entries)) :rejected 0})}))
+
+(defn pending
+  [outbox]
+  (count @(:entries outbox)))
+
+(defn add!
+  "Queue event at the end of the outbox. Returns :queued, or :rejected when
+   :max-messages are waiting."
+  [{:keys [config file lock entries stats]} event]
+  (locking lock
+    (if (>= (count @entries) (:max-messages config))
+      (do
+        (swap! stats update :rejected inc)
+        :rejected)
+      (let [entry {:event event :queued-at (System/currentTimeMillis)}]
+        (append-entry! file entry)
+        (swap! entries conj entry)
+        (swap! stats update :queued inc)
+        :queued))))
+
+(defn flush!
+  "Send the waiting events oldest first with send-fn (fn [event] -> truthy
+   when sent), stopping at the first that fails; expired ones are dropped.
+   Returns the number sent."
+  [{:keys [config file lock entries stats]} send-fn]
+  (locking lock
+    (let [now (System/currentTimeMillis)
+          result (loop [remaining @entries sent 0 expired 0]
+                   (let [entry (first remaining)]
+                     (cond
+                       (nil? entry) {:remaining [] :sent sent :expired expired}
+                       (expired? config now entry) (recur (subvec remaining 1) sent (inc expired))
+                       (send-fn (:event entry)) (recur (subvec remaining 1) (inc sent) expired)
+                       :else {:remaining remaining :sent sent :expired expired})))]
+      (when (not= (count @entries) (count (:remaining result)))
+        (reset! entries (:remaining result))
+        (write-entries! file (:remaining result))
+        (swap! stats #(-> %
+                          (update :sent + (:sent result))
+                          (update :expired + (:expired result))))
+        (trove/log! {:level :debug
+                     :id :sente-lite.outbox/flushed
+                     :data (assoc (select-keys result [:sent :expired])
+                                  :pending (count (:remaining result)))}))
+      (:sent result))))
+
+(defn outbox-stats
+  "{:pending :queued :sent :expired :rejected}"
+  [outbox]
+  (assoc @(:stats outbox) :pending (pending outbox)))
@@ -0,0 +1,40 @@
+(ns sente-lite.script-helpers
+  "Pass/fail bookkeeping shared by the bb test scripts in test/scripts.
+
+   Usage:
+     (cp/add-classpath \"test\")
+     (require '[sente-lite.script-helpers :refer [record-test! report-and-exit!]])
+
+     (record-test! \"Reply arrives\" (= :ok reply) (pr-str reply))
+     ...
+     (report-and-exit!)   ; summary, then exit 0 (all passed) or 1")
+
+(def test-results (atom {:passed 0 :failed 0 :tests []}))
+
+(defn record-test!
+  "Record and print one check. details (or nil) is shown after the name."
+  [name passed? details]
+  (swap! test-results update (if passed? :passed :failed) inc)
+  (swap! test-results update :tests conj {:name name :passed passed? :details details})
+  (println (if passed? "  ✅" "  ❌") name (when details (str "- " details))))
+
+(defn report-and-exit!
+  "Print the summary and the failed checks, then exit 0 if all passed,
+   otherwise 1."
+  []
+  (println)
+  (println "=== Test Summary ===")
+  (let [{:keys [passed failed tests]} @test-results]
+    (println "Passed:" passed)
+    (println "Failed:" failed)
+    (println)
+    (when (seq (filter #(not (:passed %)) tests))
+      (println "Failed tests:")
+      (doseq [t (filter #(not (:passed %)) tests)]
+        (println "  -" (:name t) (when (:details t) (str ": " (:details t))))))
+
+    (if (zero? failed)
+      (do (println "✅ All tests passed!")
+          (System/exit 0))
+      (do (println "❌ Some tests failed!")
+          (System/exit 1)))))